@@ -0,0 +1,82 @@
+let vscode = require('vscode')
+
+/**
+ * Fetches the selected repository in the background every `auto-fetch-interval` seconds.
+ * Only if remote branches actually changed, *on_remote_refs_change* is called with a summary
+ * per branch, e.g. `origin/main: 3 new commits`.
+ * @param options {{
+ *   git: ReturnType<import('./git.js').get_git>,
+ *   EXT_ID: string,
+ *   logger: ReturnType<typeof import('./logger')>,
+ *   on_remote_refs_change: (summary: string[]) => any,
+ * }}
+ */
+module.exports.get_auto_fetch = ({ git, EXT_ID, logger, on_remote_refs_change }) => {
+	async function get_remote_refs() {
+		let out = await git.run('for-each-ref --format="%(objectname) %(refname:short)" refs/remotes')
+		return new Map(out.split('\n').filter(Boolean).map((line) => {
+			let [hash = '', ...name] = line.split(' ')
+			return [name.join(' '), hash]
+		}))
+	}
+
+	let is_fetching = false
+	async function fetch() {
+		if (is_fetching)
+			return
+		is_fetching = true
+		try {
+			let before = await get_remote_refs()
+			// Never wait for credentials in the background
+			await git.run('fetch --all --prune --quiet', undefined, { env: { GIT_TERMINAL_PROMPT: '0' } })
+			let after = await get_remote_refs()
+			/** @type {string[]} */
+			let summary = []
+			for (let [name, hash] of after) {
+				let old_hash = before.get(name)
+				if (! old_hash)
+					summary.push(`${name}: new branch`)
+				else if (old_hash !== hash) {
+					let count = Number((await git.run(`rev-list --count ${old_hash}..${hash}`)).trim())
+					summary.push(count ? `${name}: ${count} new commit${count === 1 ? '' : 's'}` : `${name}: moved back`)
+				}
+			}
+			for (let name of before.keys())
+				if (! after.has(name))
+					summary.push(`${name}: deleted`)
+			if (summary.length) {
+				logger.info('auto fetch: ' + summary.join(', '))
+				await on_remote_refs_change(summary)
+			}
+		} catch (error) {
+			// E.g. offline or no remote: Not worth bothering the user with every few minutes
+			logger.info('auto fetch failed: ' + (error.message || error))
+		} finally {
+			is_fetching = false
+		}
+	}
+
+	/** @type {NodeJS.Timeout|null} */
+	let timer = null
+	function restart() {
+		if (timer)
+			clearInterval(timer)
+		timer = null
+		let interval = Number(vscode.workspace.getConfiguration(EXT_ID).get('auto-fetch-interval')) || 0
+		if (interval > 0)
+			timer = setInterval(fetch, Math.max(interval, 10) * 1000)
+	}
+	restart()
+	let config_listener = vscode.workspace.onDidChangeConfiguration((event) => {
+		if (event.affectsConfiguration(`${EXT_ID}.auto-fetch-interval`))
+			restart()
+	})
+
+	return {
+		dispose() {
+			if (timer)
+				clearInterval(timer)
+			config_listener.dispose()
+		},
+	}
+}
@@ -0,0 +1,83 @@
+let { join } = require('path')
+let { createHash } = require('crypto')
+let { mkdir, readFile, writeFile } = require('fs').promises
+
+let sha1 = (/** @type {string} */ str) =>
+	createHash('sha1').update(str).digest('hex')
+
+/**
+ * Persists data that is expensive to compute inside the extension's storage folder, one file per
+ * repository and *name*. There are two kinds of files:
+ * - A single value: Only returned as long as the *key* passed to `get` is the same as the one it
+ *   was `set` with, so the key needs to describe everything the value depends on.
+ * - Entries that never get outdated, e.g. stats by commit hash: These are kept in memory and are
+ *   written to disk in batches.
+ * @param options {{
+ *   context: import('vscode').ExtensionContext,
+ *   git: ReturnType<import('./git.js').get_git>,
+ *   logger: ReturnType<typeof import('./logger')>,
+ * }}
+ */
+module.exports.get_cache = ({ context, git, logger }) => {
+	let dir = join((context.storageUri || context.globalStorageUri).fsPath, 'cache')
+	function file_path(/** @type {string} */ name) {
+		let repo_path = git.get_repo()?.rootUri.fsPath || ''
+		return join(dir, `${name}-${sha1(repo_path)}.json`)
+	}
+	async function read(/** @type {string} */ path) {
+		let content = await readFile(path, 'utf8').maybe()
+		try {
+			return content ? JSON.parse(content) : null
+		} catch (error) {
+			// E.g. VSCode was closed while writing
+			logger.info(`Ignoring corrupt cache file ${path}: ${error}`)
+			return null
+		}
+	}
+	async function write(/** @type {string} */ path, /** @type {any} */ data) {
+		await mkdir(dir, { recursive: true })
+		await writeFile(path, JSON.stringify(data))
+	}
+
+	/** @type {Record<string, Promise<Record<string, any>>>} */
+	let entries_by_path = {}
+	/** @type {Record<string, NodeJS.Timeout>} */
+	let write_entries_timeouts = {}
+	let max_entries = 100000
+	function get_entries_of(/** @type {string} */ path) {
+		return entries_by_path[path] ||= read(path).then((entries) => entries || {})
+	}
+
+	return {
+		async get(/** @type {string} */ name, /** @type {string} */ key) {
+			let data = await read(file_path(name))
+			return data?.key === sha1(key) ? data.value : null
+		},
+		set(/** @type {string} */ name, /** @type {string} */ key, /** @type {any} */ value) {
+			return write(file_path(name), { key: sha1(key), value })
+		},
+		/** @returns the stored values of all *keys* that were found */
+		async get_entries(/** @type {string} */ name, /** @type {string[]} */ keys) {
+			let entries = await get_entries_of(file_path(name))
+			/** @type {Record<string, any>} */
+			let found = {}
+			for (let key of keys)
+				if (entries[key] !== undefined)
+					found[key] = entries[key]
+			return found
+		},
+		async set_entries(/** @type {string} */ name, /** @type {Record<string, any>} */ new_entries) {
+			let path = file_path(name)
+			let entries = await get_entries_of(path)
+			Object.assign(entries, new_entries)
+			clearTimeout(write_entries_timeouts[path])
+			write_entries_timeouts[path] = setTimeout(() => {
+				// Oldest ones first, as object keys keep their insertion order
+				let keys = Object.keys(entries)
+				for (let key of keys.slice(0, keys.length - max_entries))
+					delete entries[key]
+				write(path, entries).catch((error) => logger.error(error))
+			}, 3000)
+		},
+	}
+}
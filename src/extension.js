@@ -7,6 +7,11 @@ let relative_time = new RelativeTime()
 require('./globals')
 
 let { get_git } = require('./git')
+let { run_interactive_rebase } = require('./interactive-rebase')
+let { get_sequencer_state } = require('./sequencer-state')
+let { get_cache } = require('./cache')
+let { get_inline_blame } = require('./inline-blame')
+let { get_auto_fetch } = require('./auto-fetch')
 const create_logger = require('./logger')
 const { get_state } = require('./state')
 
@@ -14,6 +19,8 @@ let EXT_NAME = 'GitLG'
 let EXT_ID = 'git-log--graph'
 let START_CMD = EXT_ID + '.start'
 let BLAME_CMD = EXT_ID + '.blame-line'
+let LINE_HISTORY_CMD = EXT_ID + '.line-history'
+let FILE_HISTORY_CMD = EXT_ID + '.file-history'
 
 /** @type {vscode.WebviewPanel | vscode.WebviewView | null} */
 let webview_container = null
@@ -63,6 +70,9 @@ module.exports.activate = intercept_errors(function(/** @type {vscode.ExtensionC
 		on_repo_external_state_change() {
 			return push_message_id('repo-external-state-change')
 		},
+		on_repo_head_change() {
+			inline_blame.refresh()
+		},
 		on_repo_names_change() {
 			return state('repo-names').set(git.get_repo_names())
 		},
@@ -92,9 +102,55 @@ module.exports.activate = intercept_errors(function(/** @type {vscode.ExtensionC
 				})
 		})
 	}
+	/** Resolves once the web view has started and then completed its next refresh */
+	function wait_until_web_refreshed() {
+		return new Promise(is_refreshed => {
+			let has_started = false
+			add_state_change_listener('web-phase', (phase) => {
+				if (phase === 'refreshing')
+					has_started = true
+				else if (phase === 'ready' && has_started) {
+					is_refreshed(true)
+					return 'unsubscribe'
+				}
+				return 'stay-subscribed'
+			})
+		})
+	}
 
 	git.set_selected_repo_index(state('selected-repo-index').get() || 0)
 
+	/** Switch the main view to the repository and select the commit there */
+	async function focus_commit_in_repo(/** @type {number} */ repo_index, /** @type {string} */ hash) {
+		let focus_commit_hash = ((await git.run(`rev-parse --short ${hash}`, repo_index))).trim()
+		state('selected-repo-index').set(repo_index)
+		state('repo:selected-commits-hashes').set([focus_commit_hash])
+		vscode.commands.executeCommand(START_CMD)
+		await wait_until_web_ready()
+		return push_message_id('show-selected-commit')
+	}
+
+	let cache = get_cache({ context, git, logger })
+
+	context.subscriptions.push(get_auto_fetch({
+		git,
+		EXT_ID,
+		logger,
+		on_remote_refs_change(summary) {
+			vscode.window.setStatusBarMessage(`$(cloud-download) ${summary.join(', ')}`, 15000)
+			return push_message_id('repo-external-state-change')
+		},
+	}))
+
+	/** Hash `''` refers to the index (staging area), `null` to the file in the working tree */
+	function rev_uri(/** @type {string|null} */ hash, /** @type {string} */ filename) {
+		if (hash == null)
+			return vscode.Uri.file(path.join(git.get_repo()?.rootUri.fsPath || '', filename))
+		return vscode.Uri.parse(`${EXT_ID}-git-show:${hash}:${filename}`)
+	}
+	let rev_title = (/** @type {string|null} */ hash) =>
+		hash == null ? 'Working Tree' : hash || 'Index'
+
 	async function populate_webview() {
 		if (! webview_container)
 			return
@@ -125,11 +181,35 @@ module.exports.activate = intercept_errors(function(/** @type {vscode.ExtensionC
 				case 'request-from-web':
 					switch (message.command) {
 						case 'git': return h(() =>
-							git.run(data.args).catch(e => {
+							git.run(data.args, undefined, { stdin: data.stdin }).catch(e => {
 								if (data.ignore_errors)
 									return
 								throw e
 							}))
+						case 'git-stream': return h(() =>
+							git.run_streamed(data.args, data.stream_id, (chunk) => post_message({
+								type: 'push-to-web',
+								id: 'git-stream-chunk',
+								data: { stream_id: data.stream_id, chunk },
+							})))
+						case 'git-stream-abort': return h(() =>
+							git.abort_stream(data))
+						case 'git-paged': return h(() =>
+							git.run_paged(data.args, data))
+						case 'git-next-page': return h(() =>
+							git.next_page())
+						case 'git-rebase-interactive': return h(() =>
+							run_interactive_rebase(git, data))
+						case 'get-sequencer-state': return h(() =>
+							get_sequencer_state(git))
+						case 'cache-get': return h(() =>
+							cache.get(data.name, data.key))
+						case 'cache-set': return h(() =>
+							cache.set(data.name, data.key, data.value))
+						case 'cache-get-entries': return h(() =>
+							cache.get_entries(data.name, data.keys))
+						case 'cache-set-entries': return h(() =>
+							cache.set_entries(data.name, data.entries))
 						case 'show-error-message': return h(() =>
 							logger.error(data))
 						case 'show-information-message': return h(() =>
@@ -141,28 +221,38 @@ module.exports.activate = intercept_errors(function(/** @type {vscode.ExtensionC
 						case 'set-state': return h(() =>
 							state(data.key).set(data.value, { broadcast: false }))
 						case 'open-diff': return h(() => {
-							let uri_1 = vscode.Uri.parse(`${EXT_ID}-git-show:${data.hashes[0]}:${data.filename}`)
-							let uri_2 = vscode.Uri.parse(`${EXT_ID}-git-show:${data.hashes[1]}:${data.filename}`)
-							return vscode.commands.executeCommand('vscode.diff', uri_1, uri_2, `${data.filename} ${data.hashes[0]} vs. ${data.hashes[1]}`)
+							let [title_1, title_2] = data.hashes.map(rev_title)
+							// *old_filename* in case the file was renamed in between
+							return vscode.commands.executeCommand('vscode.diff', rev_uri(data.hashes[0], data.old_filename || data.filename), rev_uri(data.hashes[1], data.filename), `${data.filename} ${title_1} vs. ${title_2}`)
 						})
 						case 'open-multi-diff': return h(() =>
 							vscode.commands.executeCommand('vscode.changes',
-								`${data.hashes[0]} vs. ${data.hashes[1]}`,
+								`${rev_title(data.hashes[0])} vs. ${rev_title(data.hashes[1])}`,
 								data.filenames.map((/** @type {string} */ filename) => [
 									vscode.Uri.parse(filename),
-									vscode.Uri.parse(`${EXT_ID}-git-show:${data.hashes[0]}:${filename}`),
-									vscode.Uri.parse(`${EXT_ID}-git-show:${data.hashes[1]}:${filename}`),
+									rev_uri(data.hashes[0], filename),
+									rev_uri(data.hashes[1], filename),
 								])))
-						case 'view-rev': return h(() => {
-							let uri = vscode.Uri.parse(`${EXT_ID}-git-show:${data.hash}:${data.filename}`)
-							return vscode.commands.executeCommand('vscode.open', uri)
-						})
+						case 'view-rev': return h(() =>
+							vscode.commands.executeCommand('vscode.open', rev_uri(data.hash, data.filename)))
 						case 'open-file': return h(() => {
 							// vscode.workspace.workspaceFolders is NOT necessarily in the same order as git-api.repositories
 							let workspace = git.get_repo()?.rootUri.fsPath || ''
 							let uri = vscode.Uri.file(path.join(workspace, data.filename))
 							return vscode.commands.executeCommand('vscode.open', uri)
 						})
+						case 'reveal-folder': return h(() =>
+							vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(data.path)))
+						case 'open-merge-editor': return h(() =>
+							// Provided by VSCode's built-in git extension
+							vscode.commands.executeCommand('git.openMergeEditor', rev_uri(null, data.filename)))
+						case 'show-submodule-commit': return h(async () => {
+							let repo_index = await git.get_repo_index_for_uri(rev_uri(null, data.path))
+							// An uninitialized submodule folder resolves to the parent repository
+							if (repo_index < 0 || repo_index === git.get_selected_repo_index())
+								throw new Error(`Submodule '${data.path}' is not available as a repository. Is it initialized?`)
+							return focus_commit_in_repo(repo_index, data.hash)
+						})
 					}
 			}
 		}))
@@ -182,6 +272,8 @@ module.exports.activate = intercept_errors(function(/** @type {vscode.ExtensionC
 				(is_production ? '' : `${dev_server_url} 'unsafe-eval'`) + '; ' +
 			`font-src ${view.cspSource} ` +
 				(is_production ? '' : dev_server_url) + '; ' +
+			// The log parser worker is inlined as a blob, see worker-log-parser.js
+			'worker-src blob:; ' +
 			'connect-src ' +
 				(is_production ? '' : '*') + '; ' +
 			`img-src ${view.cspSource} ` +
@@ -356,17 +448,72 @@ module.exports.activate = intercept_errors(function(/** @type {vscode.ExtensionC
 	vscode.window.onDidChangeTextEditorSelection(intercept_errors(({ textEditor: text_editor }) => {
 		show_blame(text_editor)
 	}))
-	context.subscriptions.push(vscode.commands.registerCommand(BLAME_CMD, intercept_errors(async () => {
+	let inline_blame = get_inline_blame({ git, EXT_ID, focus_command: BLAME_CMD, relative_time, intercept_errors })
+	context.subscriptions.push(inline_blame)
+
+	// *args* is set when invoked from the inline blame hover, otherwise the status bar item's commit is used
+	context.subscriptions.push(vscode.commands.registerCommand(BLAME_CMD, intercept_errors(async (/** @type {{ uri: string, hash: string } | vscode.Uri | undefined} */ args) => {
 		logger.info('blame cmd')
+		if (args && 'hash' in args)
+			return focus_commit_in_repo(await git.get_repo_index_for_uri(vscode.Uri.parse(args.uri)), args.hash)
 		if (! current_line_long_hash)
 			return
-		state('selected-repo-index').set(current_line_repo_index)
-		let focus_commit_hash = ((await git.run(`rev-parse --short ${current_line_long_hash}`))).trim()
+		let hash = current_line_long_hash
 		current_line_long_hash = ''
-		state('repo:selected-commits-hashes').set([focus_commit_hash])
+		return focus_commit_in_repo(current_line_repo_index, hash)
+	})))
+
+	/**
+	 * Selects the repository of *uri* and opens the main view
+	 * @returns {Promise<string|null>} The path of *uri* relative to the repository
+	 */
+	async function open_repo_of_file(/** @type {vscode.Uri} */ uri) {
+		let repo_index = await git.get_repo_index_for_uri(uri)
+		if (repo_index < 0) {
+			vscode.window.showInformationMessage('This file is not part of any git repository.')
+			return null
+		}
+		// A running web view reloads when the repository changes, which would discard anything shown before that is done
+		let web_phase = state('web-phase').get()
+		let loaded = repo_index !== (Number(state('selected-repo-index').get()) || 0) && (web_phase === 'ready' || web_phase === 'refreshing')
+			? wait_until_web_refreshed()
+			: wait_until_web_ready()
+		state('selected-repo-index').set(repo_index)
 		vscode.commands.executeCommand(START_CMD)
-		await wait_until_web_ready()
-		return push_message_id('show-selected-commit')
+		await loaded
+		return path.relative(git.get_repo(repo_index)?.rootUri.fsPath || '', uri.fsPath).replaceAll(path.sep, '/')
+	}
+	context.subscriptions.push(vscode.commands.registerCommand(LINE_HISTORY_CMD, intercept_errors(async () => {
+		logger.info('line history cmd')
+		let text_editor = vscode.window.activeTextEditor
+		if (! text_editor)
+			return
+		let { start, end } = text_editor.selection
+		// A selection ending at the very beginning of a line doesn't really include that line
+		let end_line = end.character === 0 && end.line > start.line ? end.line - 1 : end.line
+		let file = await open_repo_of_file(text_editor.document.uri)
+		if (file == null)
+			return
+		return post_message({
+			type: 'push-to-web',
+			id: 'show-line-history',
+			data: { file, start: start.line + 1, end: end_line + 1 },
+		})
+	})))
+	// From the explorer or editor context menus, *uri* is the clicked file, from the command palette it's empty
+	context.subscriptions.push(vscode.commands.registerCommand(FILE_HISTORY_CMD, intercept_errors(async (/** @type {vscode.Uri|undefined} */ uri) => {
+		logger.info('file history cmd')
+		uri ||= vscode.window.activeTextEditor?.document.uri
+		if (! uri)
+			return
+		let file = await open_repo_of_file(uri)
+		if (file == null)
+			return
+		return post_message({
+			type: 'push-to-web',
+			id: 'show-file-history',
+			data: { file },
+		})
 	})))
 
 	context.subscriptions.push(vscode.commands.registerCommand('git-log--graph.refresh', intercept_errors(() => {
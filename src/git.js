@@ -3,14 +3,107 @@ let util = require('util')
 let { basename, relative, isAbsolute } = require('path')
 const { existsSync } = require('fs')
 let { realpath } = require('fs').promises
+let { spawn } = require('child_process')
 let exec = util.promisify(require('child_process').exec)
 
+/** Processes ended by `kill_process_tree` */
+let killed_processes = new WeakSet()
+/**
+ * Starts *command* in a shell, same as `exec`, so it may contain shell syntax such as `&&`. On POSIX,
+ * the shell becomes the leader of a new process group so `kill_process_tree` can reach its children.
+ * @param command {string}
+ * @param cwd {string|undefined}
+ */
+let spawn_in_shell = (command, cwd) =>
+	spawn(command, { cwd, shell: true, detached: process.platform !== 'win32' })
+/** `child.kill()` would only end the shell while the git process started by it keeps running */
+function kill_process_tree(/** @type {import('child_process').ChildProcess} */ child) {
+	if (child.pid == null || child.exitCode != null || child.signalCode != null)
+		return
+	killed_processes.add(child)
+	if (process.platform === 'win32')
+		spawn('taskkill', ['/pid', `${child.pid}`, '/T', '/F']).on('error', () => child.kill())
+	else
+		try {
+			process.kill(-child.pid)
+		} catch {
+			child.kill()
+		}
+}
+
+/**
+ * Wraps a running process whose output is consumed in pages, each containing *page_size* lines
+ * with *separator* (all other lines are passed along too). In between pages, the process is
+ * paused so it doesn't do any unnecessary work, but it can always pick up where it left off.
+ * @param child {import('child_process').ChildProcessWithoutNullStreams}
+ * @param separator {string}
+ * @param page_size {number}
+ */
+function create_pager(child, separator, page_size) {
+	let buffer = ''
+	let scan_pos = 0
+	let scan_count = 0
+	let error_output = ''
+	/** @type {number|null} */
+	let exit_code = null
+	let closed = false
+	/** @type {(() => void) | null} */
+	let on_update = null
+	child.stdout.setEncoding('utf8')
+	child.stdout.on('data', (/** @type {string} */ chunk) => {
+		buffer += chunk
+		on_update?.()
+	})
+	child.stderr.on('data', (chunk) => error_output += chunk)
+	child.on('close', (code) => {
+		closed = true
+		exit_code = code
+		on_update?.()
+	})
+	/** Returns the index right after the end of the page if the buffer already contains a full one, else -1 */
+	function find_page_end() {
+		let line_end = -1
+		while ((line_end = buffer.indexOf('\n', scan_pos)) > -1) {
+			if (buffer.slice(scan_pos, line_end).includes(separator))
+				scan_count++
+			scan_pos = line_end + 1
+			if (scan_count >= page_size)
+				return scan_pos
+		}
+		return -1
+	}
+	return {
+		/** @returns {Promise<{ data: string, done: boolean }>} */
+		next_page: () => new Promise((resolve, reject) => {
+			on_update = () => {
+				let page_end = find_page_end()
+				if (page_end === -1 && ! closed)
+					return
+				on_update = null
+				child.stdout.pause()
+				if (closed && exit_code && ! buffer)
+					return reject(new Error(error_output.trim() || `git exited with code ${exit_code}`))
+				if (page_end === -1)
+					page_end = buffer.length
+				let data = buffer.slice(0, page_end)
+				buffer = buffer.slice(page_end)
+				scan_pos = 0
+				scan_count = 0
+				resolve({ data, done: closed && ! buffer })
+			}
+			child.stdout.resume()
+			on_update()
+		}),
+		kill: () => kill_process_tree(child),
+	}
+}
+
 /**
  * @param EXT_ID {string}
  * @param logger {ReturnType<import('./logger')>}
- * @param args {{on_repo_external_state_change:()=>any, on_repo_names_change:()=>any}}
+ * @param args {{on_repo_external_state_change:()=>any, on_repo_head_change:()=>any, on_repo_names_change:()=>any}}
  */
-module.exports.get_git = function(EXT_ID, logger, { on_repo_external_state_change, on_repo_names_change }) {
+module.exports.get_git = function(EXT_ID, logger, { on_repo_external_state_change, on_repo_head_change, on_repo_names_change }) {
 	/** @type {import('./vscode.git').API} */
 	let api = vscode.extensions.getExtension('vscode.git')?.exports.getAPI(1) || (() => { throw 'VSCode official Git Extension not found, did you disable it?' })()
 	let last_git_execution = 0
@@ -19,7 +112,13 @@ module.exports.get_git = function(EXT_ID, logger, { on_repo_external_state_chang
 	let repo_state_cache = {}
 	function start_observing_repo(/** @type {import('./vscode.git').Repository} */ repo) {
 		logger.info('start observing repo ' + repo.rootUri.fsPath)
+		let head_commit = repo.state.HEAD?.commit
 		return repo.state.onDidChange(() => {
+			// Unlike the below, also for changes made via the interface
+			if (repo.state.HEAD?.commit !== head_commit) {
+				head_commit = repo.state.HEAD?.commit
+				on_repo_head_change()
+			}
 			// There's no event info available so we need to compare. (https://github.com/microsoft/vscode/issues/142313#issuecomment-1056939973)
 			// Work tree changes is required for detecting stashes.
 			// Detecting branch additions is currently *not possible*.
@@ -78,6 +177,10 @@ module.exports.get_git = function(EXT_ID, logger, { on_repo_external_state_chang
 	repos_changed()
 
 	let selected_repo_index = 0
+	/** @type {ReturnType<typeof create_pager> | null} */
+	let pager = null
+	/** @type {Record<string, import('child_process').ChildProcess>} */
+	let streamed_processes = {}
 	return {
 		get_repo_names() {
 			return api.repositories.map((f) => basename(f.rootUri.path))
@@ -90,22 +193,30 @@ module.exports.get_git = function(EXT_ID, logger, { on_repo_external_state_chang
 				repo = api.repositories.at(0)
 			return repo
 		},
-		async run(/** @type {string} */ args, /** @type {number|undefined} */ repo_index) {
+		get_cwd(/** @type {number|undefined} */ repo_index) {
 			let cwd = vscode.workspace.getConfiguration(EXT_ID).get('folder')
-			let cmd = vscode.workspace.getConfiguration(EXT_ID).get('git-path') || 'git'
 			if (! cwd) {
 				let repo = this.get_repo(repo_index)
 				if (! repo)
 					throw 'No repository selected'
 				cwd = repo.rootUri.fsPath
 			}
+			return /** @type {string} */ (cwd) // eslint-disable-line @stylistic/no-extra-parens
+		},
+		async run(/** @type {string} */ args, /** @type {number|undefined} */ repo_index, /** @type {{env?: Record<string,string>, stdin?: string}} */ { env, stdin } = {}) {
+			let cwd = this.get_cwd(repo_index)
+			let cmd = vscode.workspace.getConfiguration(EXT_ID).get('git-path') || 'git'
 			try {
-				let { stdout } = await exec(cmd + ' ' + args, {
+				let process_promise = exec(cmd + ' ' + args, {
 					cwd,
+					env: env ? { ...process.env, ...env } : undefined,
 					// 35 MB. For scale, Linux kernel git graph (1 mio commits) in extension format
 					// is 538 MB or 7.4 MB for the first 15k commits
 					maxBuffer: 1024 * 1024 * 35,
 				})
+				if (stdin != null)
+					process_promise.child.stdin?.end(stdin)
+				let { stdout } = await process_promise
 				last_git_execution = Date.now()
 				return stdout
 			} catch (error) {
@@ -117,8 +228,80 @@ module.exports.get_git = function(EXT_ID, logger, { on_repo_external_state_chang
 				throw error
 			}
 		},
+		/**
+		 * Like `run`, but passes the output to *on_chunk* as it comes in, so there's also no limit to its size.
+		 * The process can be ended prematurely with `abort_stream(stream_id)`.
+		 * @param args {string}
+		 * @param stream_id {string}
+		 * @param on_chunk {(chunk: string) => any}
+		 * @returns {Promise<void>}
+		 */
+		run_streamed(args, stream_id, on_chunk) {
+			let cmd = vscode.workspace.getConfiguration(EXT_ID).get('git-path') || 'git'
+			let child = spawn_in_shell(cmd + ' ' + args, this.get_cwd(undefined))
+			streamed_processes[stream_id] = child
+			let error_output = ''
+			let output = ''
+			child.stdout.setEncoding('utf8')
+			child.stdout.on('data', (/** @type {string} */ chunk) => {
+				output += chunk
+				on_chunk(chunk)
+			})
+			child.stderr.on('data', (chunk) => error_output += chunk)
+			return new Promise((resolve, reject) => {
+				child.on('error', reject)
+				child.on('close', (code, signal) => {
+					delete streamed_processes[stream_id]
+					last_git_execution = Date.now()
+					if (signal || killed_processes.has(child))
+						reject(new Error('Cancelled'))
+					else if (code)
+						// Same as in `run`: E.g. merge conflicts are only reported on stdout
+						reject(new Error([error_output, output].join('\n').trim() || `git exited with code ${code}`))
+					else
+						resolve()
+				})
+			})
+		},
+		abort_stream(/** @type {string} */ stream_id) {
+			let child = streamed_processes[stream_id]
+			if (child)
+				kill_process_tree(child)
+		},
+		/**
+		 * Like `run`, but only returns the output up until the *page_size*-th line containing *separator*.
+		 * Subsequent pages can be retrieved with `next_page`. There can only be one paged command at a
+		 * time, starting another one ends the previous.
+		 * @param args {string}
+		 * @param options {{ separator: string, page_size: number }}
+		 */
+		run_paged(args, { separator, page_size }) {
+			pager?.kill()
+			let cmd = vscode.workspace.getConfiguration(EXT_ID).get('git-path') || 'git'
+			pager = create_pager(spawn_in_shell(cmd + ' ' + args, this.get_cwd(undefined)), separator, page_size)
+			return this.next_page()
+		},
+		async next_page() {
+			let current_pager = pager
+			if (! current_pager)
+				throw 'No paged git command running'
+			let page = await current_pager.next_page()
+			last_git_execution = Date.now()
+			// Another one might have been started in the meantime
+			if (page.done && pager === current_pager)
+				pager = null
+			return page
+		},
 		set_selected_repo_index(/** @type {number} */ index) {
 			logger.info('set selected repo index ' + index)
+			if (index !== selected_repo_index) {
+				// Whatever they were loading is of no interest anymore
+				for (let child of Object.values(streamed_processes))
+					kill_process_tree(child)
+				pager?.kill()
+				// Else, `next_page` would still return what's left of the previous repo's output
+				pager = null
+			}
 			selected_repo_index = index
 		},
 		get_selected_repo_index: () => selected_repo_index,
@@ -50,7 +50,17 @@ interface Branch extends GitRef {
 	remote_names_group?: string[]
 	/** e.g. `origin`. For non-remote branches. */
 	tracking_remote_name?: string
+	/** e.g. `origin/master`. For non-remote branches. */
+	upstream?: string
+	/** Amount of commits not yet in *upstream* */
+	ahead?: number
+	/** Amount of commits in *upstream* not yet in this branch */
+	behind?: number
+	/** *upstream* is configured but doesn't exist anymore, e.g. because it was deleted on the remote */
+	upstream_gone?: boolean
 	inferred?: boolean
+	/** If checked out in a worktree other than the current one, e.g. `/home/me/project-feature` */
+	worktree_path?: string
 }
 
 /**
@@ -73,6 +83,17 @@ interface VisLine {
 	yce?: number
 }
 
+/**
+ * `status` is what `%G?` prints: G good, B bad, U good with unknown validity,
+ * X good but expired, Y good but made by an expired key, R good but made by a revoked key,
+ * E cannot be checked, e.g. missing key
+ */
+interface CommitSignature {
+	status: string
+	signer: string
+	key: string
+}
+
 interface Commit {
 	index_in_graph_output: number
 	vis_lines: VisLine[]
@@ -82,8 +103,15 @@ interface Commit {
 	author_name: string
 	author_email: string
 	datetime?: string
+	committer_name?: string
+	committer_email?: string
+	committer_datetime?: string
+	/** The key-value lines at the end of the message such as `Co-authored-by: Alice <a@mail.com>` */
+	trailers?: { key: string, value: string }[]
 	refs: GitRef[]
 	subject: string
+	/** Only present for signed commits, and only if the `verify-signatures` setting is enabled */
+	signature?: CommitSignature
 	merge?: boolean
 	/** undefined means not yet queried, an empty object signifies a loading state,
 	only files_changed present means it went through name stats already and
@@ -118,8 +146,30 @@ interface GitAction extends ConfigGitAction {
 	config_key: string
 }
 
+interface RebaseTodoEntry {
+	action: 'pick' | 'reword' | 'edit' | 'squash' | 'fixup' | 'drop'
+	hash: string
+	/** Only for reword */
+	message?: string
+}
+
+interface SequencerState {
+	operation: 'merge' | 'rebase' | 'cherry-pick' | 'revert'
+	/** Human readable progress, e.g. `3/7` */
+	step?: string
+	/** Short hash of the commit that is being applied or merged */
+	hash?: string
+	/** Only for rebase: The branch being rebased */
+	branch?: string
+}
+
 interface HistoryEntry {
 	type: 'txt_filter' | 'branch_id' | 'commit_hash' | 'git'
 	value: string
 	datetime?: string
-}
\ No newline at end of file
+}
+// Vite's worker import, see web/src/utils/worker-log-parser.js
+declare module '*?worker&inline' {
+	const WorkerConstructor: new () => Worker
+	export default WorkerConstructor
+}
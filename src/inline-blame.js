@@ -0,0 +1,194 @@
+let vscode = require('vscode')
+
+/** @typedef {{ hash: string, author: string, author_mail: string, author_time: number, summary: string }} BlameCommit */
+
+let UNCOMMITTED_HASH = '0'.repeat(40)
+
+/**
+ * Parses the output of `git blame --porcelain` into the blamed commit of each line (index = line number - 1).
+ * Details of a commit are only printed at its first occurrence, later ones just have the header line.
+ */
+function parse_blame_porcelain(/** @type {string} */ out) {
+	/** @type {Record<string, BlameCommit>} */
+	let commits = {}
+	/** @type {BlameCommit[]} */
+	let lines = []
+	/** @type {BlameCommit|null} */
+	let current = null
+	for (let line of out.split('\n')) {
+		// The line's actual content
+		if (line.startsWith('\t'))
+			continue
+		// <hash> <original line> <final line> [<lines in group>]
+		let header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/)
+		if (header) {
+			let hash = header[1] || ''
+			current = commits[hash] ||= { hash, author: '', author_mail: '', author_time: 0, summary: '' }
+			lines[Number(header[2]) - 1] = current
+			continue
+		}
+		if (! current)
+			continue
+		let space_i = line.indexOf(' ')
+		let key = line.slice(0, space_i)
+		let value = line.slice(space_i + 1)
+		if (key === 'author')
+			current.author = value
+		else if (key === 'author-mail')
+			current.author_mail = value
+		else if (key === 'author-time')
+			current.author_time = Number(value)
+		else if (key === 'summary')
+			current.summary = value
+	}
+	return lines
+}
+
+/**
+ * Optional blame annotations for every line of the visible editors, configured with the `inline-blame` setting:
+ * Either at the end of each line or in front of the first line of each block of lines from the same commit.
+ * The whole file is blamed at once and cached per document version. The hover of an annotation
+ * links to *focus_command* which shows the commit in the main view.
+ * @param options {{
+ *   git: ReturnType<import('./git.js').get_git>,
+ *   EXT_ID: string,
+ *   focus_command: string,
+ *   relative_time: { from: (date: Date) => string },
+ *   intercept_errors: <Fun extends (...args: any[]) => any>(fun: Fun) => Fun,
+ * }}
+ */
+module.exports.get_inline_blame = ({ git, EXT_ID, focus_command, relative_time, intercept_errors }) => {
+	let annotation_color = new vscode.ThemeColor('editorCodeLens.foreground')
+	let end_of_line_decoration_type = vscode.window.createTextEditorDecorationType({
+		after: { margin: '0 0 0 3em', color: annotation_color, fontStyle: 'italic' },
+	})
+	let gutter_decoration_type = vscode.window.createTextEditorDecorationType({
+		before: { width: '26ch', margin: '0 2ch 0 0', color: annotation_color },
+	})
+
+	/** @type {Map<string, { version: number, lines: Promise<BlameCommit[]> }>} */
+	let blame_cache = new Map()
+	function get_blame(/** @type {vscode.TextDocument} */ doc) {
+		let key = doc.uri.toString()
+		let cached = blame_cache.get(key)
+		if (cached?.version === doc.version)
+			return cached.lines
+		let lines = git.get_repo_index_for_uri(doc.uri).then((repo_index) => {
+			if (repo_index < 0)
+				return []
+			// Blaming the editor's content instead of the file on disk so unsaved changes are taken into account
+			return git.run(`blame --porcelain --contents - -- "${doc.uri.fsPath}"`, repo_index, { stdin: doc.getText() })
+				.then(parse_blame_porcelain)
+		}).catch(() =>
+			// E.g. untracked file
+			[])
+		blame_cache.set(key, { version: doc.version, lines })
+		return lines
+	}
+
+	function hover_message(/** @type {BlameCommit} */ commit, /** @type {vscode.Uri} */ uri) {
+		let md = new vscode.MarkdownString(undefined, true)
+		if (commit.hash === UNCOMMITTED_HASH)
+			return md.appendText('Not committed yet')
+		md.isTrusted = { enabledCommands: [focus_command] }
+		let date = new Date(commit.author_time * 1000)
+		let args = encodeURIComponent(JSON.stringify([{ uri: uri.toString(), hash: commit.hash }]))
+		return md
+			.appendText(`${commit.author} ${commit.author_mail}, ${date.toLocaleString()} (${relative_time.from(date)})\n\n`)
+			.appendMarkdown('**').appendText(commit.summary).appendMarkdown('**\n\n')
+			.appendMarkdown(`[$(git-commit) ${commit.hash.slice(0, 7)}: Show in GitLG](command:${focus_command}?${args})`)
+	}
+
+	async function update(/** @type {vscode.TextEditor} */ editor) {
+		let mode = vscode.workspace.getConfiguration(EXT_ID).get('inline-blame')
+		let doc = editor.document
+		if (mode !== 'end-of-line' && mode !== 'gutter' || doc.uri.scheme !== 'file') {
+			editor.setDecorations(end_of_line_decoration_type, [])
+			editor.setDecorations(gutter_decoration_type, [])
+			return
+		}
+		let version = doc.version
+		let lines = await get_blame(doc)
+		// Outdated by now, another update is on its way
+		if (doc.version !== version)
+			return
+		/** @type {vscode.DecorationOptions[]} */
+		let decorations = lines.map((commit, line_i) => {
+			let text = ''
+			if (mode === 'end-of-line')
+				text = commit.hash === UNCOMMITTED_HASH
+					? 'Not committed yet'
+					: `${commit.author}, ${relative_time.from(new Date(commit.author_time * 1000))} • ${commit.summary}`
+			else if (lines[line_i - 1] !== commit)
+				text = commit.hash === UNCOMMITTED_HASH
+					? 'Not committed yet'
+					: `${relative_time.from(new Date(commit.author_time * 1000))} ${commit.author}`
+			let line_end = doc.lineAt(Math.min(line_i, doc.lineCount - 1)).range.end
+			return {
+				range: mode === 'end-of-line' ? new vscode.Range(line_end, line_end) : new vscode.Range(line_i, 0, line_i, 0),
+				hoverMessage: text ? hover_message(commit, doc.uri) : undefined,
+				renderOptions: mode === 'end-of-line'
+					? { after: { contentText: text } }
+					// Empty content would collapse the width and break the alignment
+					: { before: { contentText: text.length > 25 ? text.slice(0, 24) + '…' : text || ' ' } },
+			}
+		})
+		editor.setDecorations(mode === 'end-of-line' ? end_of_line_decoration_type : gutter_decoration_type, decorations)
+		editor.setDecorations(mode === 'end-of-line' ? gutter_decoration_type : end_of_line_decoration_type, [])
+	}
+	function update_editors_of(/** @type {vscode.TextDocument} */ doc) {
+		for (let editor of vscode.window.visibleTextEditors)
+			if (editor.document === doc)
+				update(editor)
+	}
+	/**
+	 * One per document so that typing in one doesn't swallow the pending update of another
+	 * @type {Map<string, NodeJS.Timeout>}
+	 */
+	let change_debouncers = new Map()
+	function update_editors_of_debounced(/** @type {vscode.TextDocument} */ doc) {
+		let key = doc.uri.toString()
+		clearTimeout(change_debouncers.get(key))
+		change_debouncers.set(key, setTimeout(intercept_errors(() => {
+			change_debouncers.delete(key)
+			update_editors_of(doc)
+		}), 400))
+	}
+	function update_all() {
+		for (let editor of vscode.window.visibleTextEditors)
+			update(editor)
+	}
+
+	let disposables = [
+		end_of_line_decoration_type,
+		gutter_decoration_type,
+		vscode.window.onDidChangeVisibleTextEditors(intercept_errors(update_all)),
+		vscode.workspace.onDidChangeTextDocument(intercept_errors(({ document }) =>
+			update_editors_of_debounced(document))),
+		vscode.workspace.onDidCloseTextDocument(intercept_errors((doc) => {
+			let key = doc.uri.toString()
+			blame_cache.delete(key)
+			clearTimeout(change_debouncers.get(key))
+			change_debouncers.delete(key)
+		})),
+		vscode.workspace.onDidChangeConfiguration(intercept_errors((event) => {
+			if (event.affectsConfiguration(`${EXT_ID}.inline-blame`))
+				update_all()
+		})),
+	]
+	update_all()
+
+	return {
+		/** To be called when commits were made or HEAD moved: Blame results are outdated then even if the documents are not */
+		refresh() {
+			blame_cache.clear()
+			update_all()
+		},
+		dispose() {
+			for (let timeout of change_debouncers.values())
+				clearTimeout(timeout)
+			for (let disposable of disposables)
+				disposable.dispose()
+		},
+	}
+}
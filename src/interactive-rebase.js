@@ -0,0 +1,45 @@
+let { join } = require('path')
+let { tmpdir } = require('os')
+let { mkdtemp, writeFile, rm } = require('fs').promises
+
+/**
+ * Runs `git rebase -i` without any user interaction: The todo list is already prepared by the
+ * web view, so the sequence editor simply copies it over the one git generated.
+ * Git's own `reword` would open an editor, so it is replaced with an `exec` amending the message.
+ * @param git {ReturnType<import('./git.js').get_git>}
+ * @param args {{ base: string | null, todo: RebaseTodoEntry[] }}
+ */
+module.exports.run_interactive_rebase = async (git, { base, todo }) => {
+	// The message files are needed until the rebase is over, which may only be after a stop (edit or
+	// conflict) and --continue. So they are moved into git's own state folder of the rebase, which is
+	// removed by git in the end. It's only created once the rebase has started though.
+	let rebase_dir = join((await git.run('rev-parse --absolute-git-dir')).trim(), 'rebase-merge')
+	let dir = await mkdtemp(join(tmpdir(), 'git-log--graph-rebase-'))
+	let todo_lines = []
+	let message_files = []
+	for (let [i, entry] of todo.entries())
+		if (entry.action === 'reword') {
+			// Not to be confused with git's own files there, e.g. "message-squash"
+			let message_file_name = `git-log--graph-message-${i}`
+			let message_file = join(dir, message_file_name)
+			await writeFile(message_file, entry.message || '')
+			message_files.push(`"${message_file}"`)
+			todo_lines.push(`pick ${entry.hash}`, `exec git commit --amend --only --allow-empty --quiet -F "${join(rebase_dir, message_file_name)}"`)
+		} else
+			todo_lines.push(`${entry.action} ${entry.hash}`)
+	let todo_file = join(dir, 'git-rebase-todo')
+	await writeFile(todo_file, todo_lines.join('\n') + '\n')
+	try {
+		return await git.run(`rebase --interactive ${base ? `"${base}"` : '--root'}`, undefined, {
+			env: {
+				// Called with the path of the todo file inside *rebase_dir*
+				GIT_SEQUENCE_EDITOR: `${message_files.length ? `cp ${message_files.join(' ')} "${rebase_dir}" && ` : ''}cp "${todo_file}"`,
+				// Squash would otherwise ask for the combined message
+				GIT_EDITOR: 'true',
+			},
+		})
+	} finally {
+		// Doesn't matter if this fails, but it mustn't replace the rebase's own error
+		await rm(dir, { recursive: true, force: true }).maybe()
+	}
+}
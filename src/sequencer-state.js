@@ -0,0 +1,48 @@
+let { join } = require('path')
+let { readFile } = require('fs').promises
+
+/**
+ * Finds out whether a merge, rebase, cherry-pick or revert has stopped halfway, usually because of
+ * conflicts. There is no porcelain command telling us this, so like `git status`, we look at the
+ * files git leaves behind inside the .git folder.
+ * @param git {ReturnType<import('./git.js').get_git>}
+ * @returns {Promise<SequencerState|null>}
+ */
+module.exports.get_sequencer_state = async (git) => {
+	let git_dir = (await git.run('rev-parse --absolute-git-dir')).trim()
+	let read = (/** @type {string} */ file) =>
+		readFile(join(git_dir, file), 'utf8').then((content) => content.trim()).maybe()
+	let short_hash = async (/** @type {string|undefined} */ hash) =>
+		hash ? (await git.run(`rev-parse --short ${hash}`)).trim() : undefined
+
+	for (let [dir, step_file, total_file] of [['rebase-merge', 'msgnum', 'end'], ['rebase-apply', 'next', 'last']]) {
+		let head_name = await read(`${dir}/head-name`)
+		// rebase-apply is also used by `git am`, but without a head-name file
+		if (! head_name)
+			continue
+		let [step, total] = await Promise.all([read(`${dir}/${step_file}`), read(`${dir}/${total_file}`)])
+		return {
+			operation: 'rebase',
+			step: step && total ? `${step}/${total}` : undefined,
+			hash: await short_hash(await read(`${dir}/stopped-sha`) || await read('REBASE_HEAD')),
+			branch: head_name.replace(/^refs\/heads\//, ''),
+		}
+	}
+	let merge_head = await read('MERGE_HEAD')
+	if (merge_head)
+		return { operation: 'merge', hash: await short_hash(merge_head.split('\n')[0]) }
+	let cherry_pick_head = await read('CHERRY_PICK_HEAD')
+	let revert_head = await read('REVERT_HEAD')
+	// Multi-commit picks and reverts can also stop in between two commits, e.g. when a pick
+	// turned out empty. Then, only the remaining todo list is left.
+	let todo = await read('sequencer/todo')
+	if (cherry_pick_head || revert_head || todo) {
+		let remaining = todo?.split('\n').filter((line) => line && ! line.startsWith('#')).length
+		return {
+			operation: revert_head || todo?.startsWith('revert') ? 'revert' : 'cherry-pick',
+			step: remaining ? `${remaining} remaining` : undefined,
+			hash: await short_hash(cherry_pick_head || revert_head),
+		}
+	}
+	return null
+}
@@ -52,7 +52,7 @@ module.exports.get_state = ({ context, git, on_broadcast }) => {
 				git.set_selected_repo_index(Number(v) || 0)
 				// These will have changed now, so notify clients of updated value
 
-				for (let key of ['repo:action-history', 'repo:selected-commits-hashes'])
+				for (let key of ['repo:action-history', 'repo:selected-commits-hashes', 'repo:hidden-remotes'])
 					state(key).set(state(key).get())
 			},
 		},
@@ -62,6 +62,7 @@ module.exports.get_state = ({ context, git, on_broadcast }) => {
 		},
 		'repo:selected-commits-hashes': repo_state_memento('selected-commits-hashes'),
 		'repo:action-history': repo_state_memento('action-history'),
+		'repo:hidden-remotes': repo_state_memento('hidden-remotes'),
 		'web-phase': transient_memento(),
 	}
 	let default_memento = global_state_memento
@@ -53,8 +53,8 @@ export let exchange_message = async (/** @type {string} */ command, /** @type {a
 	return resp.data
 }
 
-export let git = (/** @type {string} */ args, /** @type {{ignore_errors?: boolean}} */ { ignore_errors } = {}) =>
-	exchange_message('git', { args, ignore_errors }).then((/** @type {string} */ s) => s.trim())
+export let git = (/** @type {string} */ args, /** @type {{ignore_errors?: boolean, stdin?: string}} */ { ignore_errors, stdin } = {}) =>
+	exchange_message('git', { args, ignore_errors, stdin }).then((/** @type {string} */ s) => s.trim())
 export let show_information_message = (/** @type {string} */ msg) =>
 	exchange_message('show-information-message', msg)
 export let show_error_message = (/** @type {string} */ msg) =>
@@ -62,3 +62,22 @@ export let show_error_message = (/** @type {string} */ msg) =>
 
 export let add_push_listener = (/** @type {string} */ id, /** @type {(r: BridgeMessage) => void} */ handler) =>
 	push_handlers[id] = handler
+
+/** @type {Record<string, (chunk: string) => void>} */
+let stream_chunk_handlers = {}
+add_push_listener('git-stream-chunk', ({ data }) =>
+	stream_chunk_handlers[data.stream_id]?.(data.chunk))
+let stream_id_counter = 0
+/**
+ * Like `git()`, but the output is passed to *on_chunk* piece by piece while the command is still running.
+ * The returned `promise` resolves once it's done, `abort()` kills the process.
+ */
+export let git_stream = (/** @type {string} */ args, /** @type {(chunk: string) => void} */ on_chunk) => {
+	let stream_id = `${++stream_id_counter}`
+	stream_chunk_handlers[stream_id] = on_chunk
+	return {
+		promise: exchange_message('git-stream', { args, stream_id }).finally(() =>
+			delete stream_chunk_handlers[stream_id]),
+		abort: () => exchange_message('git-stream-abort', stream_id),
+	}
+}
@@ -12,14 +12,26 @@
 	import CommitRefTips from './views/CommitRefTips.vue'
 	import CommitRow from './views/CommitRow.vue'
 	import CommitsDetails from './views/CommitsDetails.vue'
+	import Compare from './views/Compare.vue'
+	import ConflictsPanel from './views/ConflictsPanel.vue'
+	import FileHistory from './views/FileHistory.vue'
+	import FileHunks from './views/FileHunks.vue'
 	import GitActionButton from './views/GitActionButton.vue'
 	import GitInput from './views/GitInput.vue'
 	import History from './views/History.vue'
+	import InteractiveRebase from './views/InteractiveRebase.vue'
 	import MainView from './views/MainView.vue'
 	import RefTip from './views/RefTip.vue'
+	import Reflog from './views/Reflog.vue'
+	import Remotes from './views/Remotes.vue'
 	import RepoSelection from './views/RepoSelection.vue'
 	import SVGVisualization from './views/SVGVisualization.vue'
 	import SelectedGitAction from './views/SelectedGitAction.vue'
+	import SequencerBanner from './views/SequencerBanner.vue'
+	import Stashes from './views/Stashes.vue'
+	import Tags from './views/Tags.vue'
+	import WorkingTreeDetails from './views/WorkingTreeDetails.vue'
+	import Worktrees from './views/Worktrees.vue'
 	import Popup from './components/Popup.vue'
 	import PromiseForm from './components/PromiseForm.vue'
 
@@ -33,14 +45,26 @@
 			CommitRefTips: typeof CommitRefTips
 			CommitRow: typeof CommitRow
 			CommitsDetails: typeof CommitsDetails
+			Compare: typeof Compare
+			ConflictsPanel: typeof ConflictsPanel
+			FileHistory: typeof FileHistory
+			FileHunks: typeof FileHunks
 			GitActionButton: typeof GitActionButton
 			GitInput: typeof GitInput
 			History: typeof History
+			InteractiveRebase: typeof InteractiveRebase
 			MainView: typeof MainView
 			RefTip: typeof RefTip
+			Reflog: typeof Reflog
+			Remotes: typeof Remotes
 			RepoSelection: typeof RepoSelection
 			SVGVisualization: typeof SVGVisualization
 			SelectedGitAction: typeof SelectedGitAction
+			SequencerBanner: typeof SequencerBanner
+			Stashes: typeof Stashes
+			Tags: typeof Tags
+			WorkingTreeDetails: typeof WorkingTreeDetails
+			Worktrees: typeof Worktrees
 			Popup: typeof Popup
 			PromiseForm: typeof PromiseForm
 		}
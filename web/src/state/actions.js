@@ -1,6 +1,6 @@
 import { computed } from 'vue'
 import default_git_actions from './default-git-actions.json'
-import { combine_branches_from_branch_name, combine_branches_to_branch_name, config, default_origin } from './store'
+import { combine_branches_from_branch_name, combine_branches_to_branch_name, config, default_origin, head_branch, sequencer_state } from './store'
 
 /**
  * @param actions {ConfigGitAction[]}
@@ -39,7 +39,19 @@ export let commits_actions = (/** @type {string[]} */ hashes) => computed(() =>
 		['{DEFAULT_REMOTE_NAME}', default_origin.value || 'MISSING_REMOTE_NAME']])
 })
 export let branch_actions = (/** @type {Branch} */ branch) => computed(() => {
+	// Not part of the regular replacements below as this would change the config keys of all branch actions.
+	// Actions using these only make sense for branches that have them, e.g. that are checked out in a worktree.
+	/** @type {[string, string|undefined][]} */
+	let optional_replacements = [
+		['{WORKTREE_PATH}', branch.worktree_path],
+		['{UPSTREAM_NAME}', branch.upstream],
+	]
+	// A branch can't be checked out in more than one worktree at a time
+	let is_checked_out = !! branch.worktree_path || branch.id === head_branch.value
 	let config_branch_actions = default_git_actions['actions.branch'].concat(config.value.actions?.branch || [])
+		.filter((action) => optional_replacements.every(([placeholder, value]) =>
+			value || ! action.params?.some((param) => param.includes(placeholder))))
+		.filter((action) => ! is_checked_out || ! action.args.startsWith('worktree add '))
 	return parse_config_actions(config_branch_actions, [
 		['{BRANCH_ID}', branch.id],
 		['{BRANCH_DISPLAY_NAME}', branch.display_name],
@@ -47,6 +59,11 @@ export let branch_actions = (/** @type {Branch} */ branch) => computed(() => {
 		['{LOCAL_BRANCH_NAME}', branch.remote_name ? /** User intervention required */ '' : branch.name],
 		['{REMOTE_NAME}', branch.remote_name || branch.tracking_remote_name || default_origin.value || 'MISSING_REMOTE_NAME'],
 		['{DEFAULT_REMOTE_NAME}', default_origin.value || 'MISSING_REMOTE_NAME']])
+		.map((action) => ({
+			...action,
+			params: action.params?.map((param) => optional_replacements.reduce((replaced, [placeholder, value]) =>
+				replaced.replaceAll(placeholder, value || ''), param)),
+		}))
 })
 export let tag_actions = (/** @type {string} */ tag_name) => computed(() => {
 	let config_tag_actions = default_git_actions['actions.tag'].concat(config.value.actions?.tag || [])
@@ -67,3 +84,55 @@ export let combine_branches_actions = computed(() => {
 		['{TARGET_BRANCH_NAME}', combine_branches_to_branch_name.value],
 		['{DEFAULT_REMOTE_NAME}', default_origin.value || 'MISSING_REMOTE_NAME']])
 })
+/** Continue/Skip/Abort for whatever operation is currently stopped halfway, see `sequencer_state` */
+export let sequencer_actions = computed(() => {
+	let operation = sequencer_state.value?.operation
+	if (! operation)
+		return []
+	/** @type {ConfigGitAction[]} */
+	let actions = [{
+		title: 'Continue',
+		icon: 'debug-continue',
+		description: 'git {SEQUENCER_OPERATION} --continue - Proceed once all conflicts are resolved and staged',
+		// Otherwise, git would wait for the commit message to be edited
+		args: '-c core.editor=true "$1" --continue',
+		params: ['{SEQUENCER_OPERATION}'],
+		immediate: true,
+	}, {
+		title: 'Skip',
+		icon: 'debug-step-over',
+		description: 'git {SEQUENCER_OPERATION} --skip - Leave out the current commit and proceed with the next one',
+		args: '"$1" --skip',
+		params: ['{SEQUENCER_OPERATION}'],
+		immediate: true,
+	}, {
+		title: 'Abort',
+		icon: 'circle-slash',
+		description: 'git {SEQUENCER_OPERATION} --abort - Return to the state before the operation was started',
+		args: '"$1" --abort',
+		params: ['{SEQUENCER_OPERATION}'],
+		immediate: true,
+	}]
+	if (operation === 'merge')
+		actions = actions.filter((action) => action.title !== 'Skip')
+	return parse_config_actions(actions, [['{SEQUENCER_OPERATION}', operation]])
+})
+/** Not configurable as it is destructive and only makes sense for this one file */
+export let discard_file_action = (/** @type {string} */ path, /** @type {boolean} */ is_untracked) =>
+	not_null(parse_config_actions([{
+		title: 'Discard changes',
+		icon: 'discard',
+		description: is_untracked ? 'git clean - Delete the untracked file' : 'git restore - Revert the unstaged changes of the file',
+		info: 'This cannot be undone!',
+		args: is_untracked ? 'clean -f -- "$1"' : 'restore -- "$1"',
+		params: ['{FILE_PATH}'],
+	}], [['{FILE_PATH}', path]])[0])
+/** See `run_undoable`. Without `config_key`, as saving the command of a one-off action makes no sense */
+export let undo_action = (/** @type {string[]} */ undo_commands, /** @type {string} */ undone_command) => ({
+	title: 'Undo',
+	icon: 'discard',
+	description: `Restore the refs and stashes from before running: git ${undone_command}`,
+	info: 'Only refs and stashes are restored. Uncommitted changes that were lost cannot be recovered.',
+	args: undo_commands.join(' && git '),
+	config_key: '',
+})
@@ -1,4 +1,4 @@
-import { git } from '../bridge'
+import { git, exchange_message } from '../bridge'
 
 /** @type {Record<string, Commit["stats"]>} */
 let stats_cache = {}
@@ -13,6 +13,9 @@ export let update_commit_stats = async (/** @type {Commit[]} */ commits_, level
 	if (! commits_.length || level === 0 && /* probably heavily overloaded */queued_commits_for_update_stats.length > 120)
 		return
 	commits_.forEach(commit => commit.stats = {}) // Prevent from running them twice
+	commits_ = await apply_persisted_commit_stats(commits_)
+	if (! commits_.length)
+		return
 	update_commit_stats_fast(commits_) // async
 	if (is_updating_commit_stats)
 		return queued_commits_for_update_stats.push(...commits_)
@@ -24,6 +27,21 @@ export let update_commit_stats = async (/** @type {Commit[]} */ commits_, level
 		queued_commits_for_update_stats = []
 	}
 }
+/**
+ * Full stats of commits that were seen in previous sessions are persisted by the extension.
+ * @returns the commits that are still missing their stats
+ */
+async function apply_persisted_commit_stats(/** @type {Commit[]} */ commits_) {
+	/** @type {Record<string, Commit["stats"]>} */
+	let persisted = await exchange_message('cache-get-entries', { name: 'commit-stats', keys: commits_.map((c) => c.hash_long) }).maybe() || {}
+	return commits_.filter((commit) => {
+		let stats = persisted[commit.hash_long]
+		if (! stats)
+			return true
+		commit.stats = stats_cache[commit.hash] = stats
+		return false
+	})
+}
 /** Only the `files_changed` properties are filled */
 async function update_commit_stats_fast(/** @type {Commit[]} */ commits_) {
 	// console.time('update_commit_stats_fast')
@@ -63,6 +81,8 @@ async function update_commit_stats_full(/** @type {Commit[]} */ commits_) {
 	if (! data)
 		return
 	let hash = ''
+	/** @type {Record<string, Commit["stats"]>} */
+	let new_persisted_stats = {}
 	for (let line of data.split('\n').filter(Boolean)) {
 		if (! line.startsWith(' ')) {
 			hash = line
@@ -91,6 +111,8 @@ async function update_commit_stats_full(/** @type {Commit[]} */ commits_) {
 
 		commit.stats = stat
 		stats_cache[hash] = stat
+		new_persisted_stats[commit.hash_long] = stat
 	}
+	exchange_message('cache-set-entries', { name: 'commit-stats', entries: new_persisted_stats }).maybe()
 	// console.timeEnd('update_commit_stats_full')
 }
@@ -1,8 +1,10 @@
 import { ref, computed, shallowRef } from 'vue'
-import { parse } from '../utils/log-parser.js'
+import { create_worker_parser } from '../utils/worker-log-parser.js'
+import { serialize_log, deserialize_log, replace_vis_lines_branch } from '../utils/log-parser.js'
 import { git, exchange_message, add_push_listener, show_information_message } from '../bridge.js'
 export { update_commit_stats } from './commit-stats'
-export { global_actions, commit_actions, commits_actions, branch_actions, tag_actions, stash_actions, combine_branches_actions } from './actions.js'
+export { global_actions, commit_actions, commits_actions, branch_actions, tag_actions, stash_actions, combine_branches_actions, sequencer_actions, discard_file_action } from './actions.js'
+export { run_undoable, last_undo_action } from './undo.js'
 
 // ########################
 // This file should be used for state that is of importance for more than just one component.
@@ -59,6 +61,36 @@ export let branches = ref([])
 // which is also not necessary because HEAD is then also visible as a branch tip.
 export let head_branch = ref('')
 export let git_status = ref('')
+/** A merge, rebase, cherry-pick or revert that has stopped halfway, if any */
+/** @type {Vue.Ref<SequencerState|null>} */
+export let sequencer_state = ref(null)
+/**
+ * Unmerged paths. `status` is the two letter code of `git status`, the first one referring to
+ * "our" side and the second one to "their" side, e.g. `UU` = both modified, `DU` = deleted by us.
+ * @type {Vue.Ref<{ path: string, status: string }[]>}
+ */
+export let conflicted_files = ref([])
+
+/** Pseudo hash of the "Working tree" row shown on top of the commits when there are uncommitted changes */
+export let WORKING_TREE_HASH = 'working-tree'
+export let working_tree_changes = ref({ staged: 0, unstaged: 0 })
+/** @type {Vue.ComputedRef<Commit|null>} */
+export let working_tree_commit = computed(() => {
+	let { staged, unstaged } = working_tree_changes.value
+	if (! staged && ! unstaged)
+		return null
+	return {
+		subject: `Uncommitted changes (${staged} staged, ${unstaged} unstaged)`,
+		hash: WORKING_TREE_HASH,
+		hash_long: '',
+		author_name: '',
+		author_email: '',
+		index_in_graph_output: -2,
+		vis_lines: [],
+		refs: [],
+		stats: { files_changed: staged + unstaged },
+	}
+})
 /** @type {Vue.Ref<string|null>} */
 export let default_origin = ref('')
 
@@ -68,7 +100,7 @@ export let log_action = {
 	// git internals, but they are completely useless to the user.
 	// Could not find any easy way to skip those other than de-grepping them, TODO:.
 	// Something like `--exclude-commit=stash@{...}^2+` doesn't exist.
-	args: 'log --graph --oneline --date=iso-local --pretty={EXT_FORMAT} -n 15000 --skip=0 --all {STASH_REFS} --color=never --invert-grep --extended-regexp --grep="^untracked files on " --grep="^index on "',
+	args: 'log --graph --oneline --date=iso-local --pretty={EXT_FORMAT} --all {STASH_REFS} --color=never --invert-grep --extended-regexp --grep="^untracked files on " --grep="^index on "',
 	options: [
 		{ value: '--decorate-refs-exclude=refs/remotes', default_active: false, info: 'Hide remote branches' },
 		{ value: '--grep="^Merge (remote[ -]tracking )?(branch \'|pull request #)"', default_active: false, info: 'Hide merge commits' },
@@ -83,45 +115,177 @@ export let log_action = {
 /** For when the extension needs to display something without the user being allowed to intervene. A default to be extended. */
 let log_args_override_base = 'log --graph --author-date-order --date=iso-local --pretty={EXT_FORMAT} --color=never'
 
-/**
- * This function usually shouldn't be called in favor of `refresh_main_view()` because the latter
- * allows the user to edit the arg, shows loading animation, prints errors accordingly etc.
- */
-async function git_log(/** @type {string} */ log_args, { fetch_stash_refs = true, fetch_branches = true } = {}) {
-	let sep = '^%^%^%^%^'
-	log_args = log_args.replace(' --pretty={EXT_FORMAT}', ` --pretty=format:"${sep}%H${sep}%h${sep}%aN${sep}%aE${sep}%ad${sep}%D${sep}%s" --decorate=full `)
+let log_separator = '^%^%^%^%^'
+/** Fills in the placeholders of *log_args* and sets up a parser for its output */
+/** @typedef {{ fetch_stash_refs?: boolean, fetch_branches?: boolean }} GitLogOptions */
+async function prepare_git_log(/** @type {string} */ log_args, /** @type {GitLogOptions} */ { fetch_stash_refs = true, fetch_branches = true } = {}) {
+	let sep = log_separator
+	// Verifying signatures means calling gpg for every signed commit, so it's opt-in
+	let signature_format = config.value['verify-signatures'] ? `%G?${sep}%GS${sep}%GK` : sep + sep
+	// Can be anywhere, so they simply go along with the format which is always there
+	let hidden_remote_decorations = hidden_remotes.value.map((remote) => ` --decorate-refs-exclude="refs/remotes/${remote}"`).join('')
+	log_args = log_args.replace(' --pretty={EXT_FORMAT}', ` --pretty=format:"${sep}%H${sep}%h${sep}%aN${sep}%aE${sep}%ad${sep}%D${sep}${signature_format}${sep}%cN${sep}%cE${sep}%cd${sep}%(trailers:unfold,separator=%x1F)${sep}%s" --decorate=full${hidden_remote_decorations} `)
 	let stash_refs = ''
 	if (fetch_stash_refs)
 		stash_refs = await git('stash list --format="%h"')
 	log_args = log_args.replace('{STASH_REFS}', stash_refs.replaceAll('\n', ' '))
-	let [log_data, branch_data, stash_data] = await Promise.all([
-		git(log_args),
-		fetch_branches ? git(`branch --list --all --format="%(upstream:remotename)${sep}%(refname)"`) : '',
+	// --exclude only applies to the next --all, --branches, --remotes or --glob, so it goes before each of them
+	let hidden_remote_excludes = hidden_remotes.value.map((remote) => `--exclude="refs/remotes/${remote}/*" `).join('')
+	if (hidden_remote_excludes)
+		log_args = log_args.replace(/(^|\s)(?=--(all|branches|remotes|glob)(=|\s|$))/g, `$1${hidden_remote_excludes}`)
+	let branch_format = `%(upstream:remotename)${sep}%(refname)${sep}%(upstream:short)${sep}%(upstream:track,nobracket)`
+	let [branch_data, stash_data, current_worktree_path] = await Promise.all([
+		fetch_branches
+			? git(`branch --list --all --format="${branch_format}${sep}%(worktreepath)"`).catch(() =>
+				// %(worktreepath) requires git 2.23
+				git(`branch --list --all --format="${branch_format}"`))
+			: '',
 		fetch_stash_refs ? git('stash list --format="%h %gd"', { ignore_errors: true }).catch(() => '') : '',
+		fetch_branches ? git('rev-parse --show-toplevel', { ignore_errors: true }).maybe() : '',
 	])
-	/** @type {Awaited<ReturnType<parse>>} */
-	let parsed = { commits: [], branches: [] }
-	if (log_data)
-		parsed = await parse(log_data, branch_data, stash_data, sep, config.value['curve-radius'])
+	branch_data = branch_data.split('\n').filter((line) =>
+		! hidden_remotes.value.some((remote) => line.includes(`${sep}refs/remotes/${remote}/`))).join('\n')
+	// Only branches checked out *elsewhere* are of interest
+	if (current_worktree_path)
+		branch_data = branch_data.split('\n').map((line) =>
+			line.endsWith(sep + current_worktree_path) ? line.slice(0, -current_worktree_path.length) : line).join('\n')
+	return { log_args, branch_data, parser: create_worker_parser(branch_data, stash_data, sep, config.value['curve-radius']) }
+}
+/**
+ * This function usually shouldn't be called in favor of `refresh_main_view()` because the latter
+ * allows the user to edit the arg, shows loading animation, prints errors accordingly etc.
+ */
+async function git_log(/** @type {string} */ log_args, /** @type {GitLogOptions} */ options = {}) {
+	let prepared = await prepare_git_log(log_args, options)
+	let log_data = await git(prepared.log_args)
+	if (! log_data)
+		return { commits: [], branches: [], replaced_branches: [] }
+	return prepared.parser.parse_page(log_data, true)
+}
+
+/**
+ * The main log is loaded page by page, see `load_more_commits`. Its parser needs to be kept
+ * around for this, as well as the info whether git has already printed everything.
+ * If the first page was taken from the cache instead, there is no parser yet but `uncached_log_args`.
+ * @type {{ parser: ReturnType<typeof create_worker_parser> | null, done: boolean, loading: boolean, uncached_log_args?: string }}
+ */
+let main_log = { parser: null, done: true, loading: false }
+/**
+ * Like `git_log` but only returns the first page of commits. This page is also cached on disk,
+ * keyed by everything it depends on, so an unchanged repository can be shown without even running
+ * `git log`, which can take a long while in large repositories.
+ */
+async function git_log_paged(/** @type {string} */ log_args, { use_cache = true } = {}) {
+	let [prepared, refs, head] = await Promise.all([
+		prepare_git_log(log_args),
+		git('show-ref --head', { ignore_errors: true }).maybe(),
+		git('symbolic-ref -q HEAD', { ignore_errors: true }).maybe(),
+	])
+	let page_size = config.value['log-page-size'] || 1000
+	let cache_key = JSON.stringify([prepared.log_args, prepared.branch_data, page_size, config.value['curve-radius'], head, refs])
+	main_log.parser?.dispose()
+	if (use_cache) {
+		/** @type {{ log: import('../utils/log-parser.js').SerializedLog, done: boolean } | null} */
+		let cached = await exchange_message('cache-get', { name: 'main-log', key: cache_key }).maybe()
+		if (cached) {
+			prepared.parser.dispose()
+			main_log = { parser: null, done: cached.done, loading: false, uncached_log_args: log_args }
+			return deserialize_log(cached.log)
+		}
+	}
+	main_log = { parser: prepared.parser, done: false, loading: false }
+	/** @type {{ data: string, done: boolean }} */
+	let page = await exchange_message('git-paged', { args: prepared.log_args, separator: log_separator, page_size })
+	main_log.done = page.done
+	let parsed = await prepared.parser.parse_page(page.data, page.done)
+	exchange_message('cache-set', { name: 'main-log', key: cache_key, value: { log: serialize_log(parsed), done: page.done } }).maybe()
 	return parsed
 }
+/**
+ * Appends the next page of the main log to `commits`, if there is any.
+ * @returns whether something was loaded
+ */
+export let load_more_commits = async () => {
+	let { parser, done, loading, uncached_log_args } = main_log
+	if (done || loading || ! parser && ! uncached_log_args)
+		return false
+	main_log.loading = true
+	let loading_log = main_log
+	try {
+		if (uncached_log_args) {
+			// The first page came from the cache, so git still needs to catch up. This results in
+			// the very same commits, so they can simply be swapped.
+			let shown_commits = commits.value
+			let parsed = await git_log_paged(uncached_log_args, { use_cache: false })
+			// The main view may have been refreshed in the meantime
+			if (commits.value !== shown_commits)
+				return false
+			commits.value = parsed.commits
+			branches.value = parsed.branches
+			return true
+		}
+		/** @type {{ data: string, done: boolean }} */
+		let page = await exchange_message('git-next-page')
+		// The main view may have been refreshed in the meantime
+		if (parser !== main_log.parser)
+			return false
+		main_log.done = page.done
+		let parsed = await not_null(parser).parse_page(page.data, page.done)
+		// The branch lines of previous pages can still turn out to belong to a branch only known now
+		for (let [branch_id, replacement] of parsed.replaced_branches)
+			replace_vis_lines_branch(commits.value || [], branch_id, replacement)
+		commits.value = [...commits.value || [], ...parsed.commits]
+		branches.value = parsed.branches
+		return true
+	} finally {
+		loading_log.loading = false
+	}
+}
 
 export let main_view_action = async (/** @type {string} */ log_args) => {
 	if (web_phase.value !== 'initializing')
 		web_phase.value = 'refreshing'
+	if (! log_args.includes(' -L'))
+		line_history.value = null
 	// errors will be handled by GitInput
-	let [parsed_log_data, status_data, head_data] = await Promise.all([
-		git_log(log_args).catch(error => {
+	let [parsed_log_data, status_data, head_data, sequencer_data, porcelain_status_data] = await Promise.all([
+		git_log_paged(log_args).catch(error => {
 			show_information_message('Git LOG failed. Did you change the command by hand? In the main view at the top left, click "Configure", then at the top right click "Reset", then "Save" and try again. If this didn\'t help, it might be a bug! Please open up a GitHub issue.')
 			throw error
 		}),
 		git('-c core.quotepath=false status'),
 		git('symbolic-ref HEAD', { ignore_errors: true }).maybe(),
+		exchange_message('get-sequencer-state').maybe(),
+		git('status --porcelain=v2 -z --untracked-files=all', { ignore_errors: true }).maybe(),
 	])
 	commits.value = parsed_log_data.commits
 	branches.value = parsed_log_data.branches
 	head_branch.value = head_data || 'refs/heads/HEAD'
 	git_status.value = status_data
+	sequencer_state.value = sequencer_data || null
+	// Changed entries look like `1 XY ...` (or `2 XY ...` for renames) with X = index and Y = working tree
+	// status where `.` means unmodified, untracked ones are `? path`. See `git help status`.
+	// Because of -z, paths are not quoted, and renames are followed by an extra entry with the original path.
+	/** @type {string[]} */
+	let porcelain_status_lines = []
+	let porcelain_status_entries = porcelain_status_data?.split('\0') || []
+	for (let i = 0; i < porcelain_status_entries.length; i++) {
+		let entry = porcelain_status_entries[i]
+		if (! entry)
+			continue
+		porcelain_status_lines.push(entry)
+		if (entry.startsWith('2 '))
+			i++
+	}
+	// u XY sub m1 m2 m3 mW h1 h2 h3 path
+	conflicted_files.value = porcelain_status_lines.filter((line) => line.startsWith('u ')).map((line) => {
+		let fields = line.split(' ')
+		return { path: fields.slice(10).join(' '), status: fields[1] || '' }
+	})
+	working_tree_changes.value = {
+		staged: porcelain_status_lines.filter((line) => line.match(/^[12] [^.]/)).length,
+		unstaged: porcelain_status_lines.filter((line) => line.match(/^([12] .[^.]|[?u] )/)).length,
+	}
 	let likely_default_branch = branches.value.find((b) => b.name === 'master' || b.name === 'main') || branches.value[0]
 	default_origin.value = likely_default_branch?.remote_name || likely_default_branch?.tracking_remote_name || null
 	web_phase.value = 'ready'
@@ -152,12 +316,76 @@ export let combine_branches = (/** @type {string} */ from_branch_name, /** @type
 	combine_branches_from_branch_name.value = from_branch_name
 }
 
+/** The oldest commit of the range shown in the interactive rebase editor, if open */
+export let interactive_rebase_from_hash = ref('')
+export let start_interactive_rebase = (/** @type {Commit[]} */ selected_commits) => {
+	// The log never shows parents before their children, so the last one is the oldest
+	let oldest = selected_commits.slice().sort((a, b) =>
+		(commits.value?.indexOf(b) ?? 0) - (commits.value?.indexOf(a) ?? 0))[0]
+	if (oldest)
+		interactive_rebase_from_hash.value = oldest.hash
+}
+
+/**
+ * The two sides of the compare popup, if open. Besides any revision, these can also be
+ * `WORKING_TREE_HASH` or `'index'`.
+ * @type {Vue.Ref<{ from: string, to: string }|null>}
+ */
+export let compare_refs = ref(null)
+
+/** The file whose history (following renames) is shown in a popup, if open */
+export let file_history_path = ref('')
+
+/** Whether the stashes popup is open */
+export let show_stashes = ref(false)
+
+/** Whether the tags popup is open */
+export let show_tags = ref(false)
+
+/** Whether the remote management popup is open */
+export let show_remotes = ref(false)
+/** Names of the remotes whose branches are left out of the main log */
+export let hidden_remotes = stateful_computed('repo:hidden-remotes', /** @type {string[]} */ ([])) // eslint-disable-line @stylistic/no-extra-parens
+
+/** Whether the worktree management popup is open */
+export let show_worktrees = ref(false)
+
 export let show_branch = (/** @type {Branch} */ branch_tip) =>
 	refresh_main_view({
 		before_execute: (cmd) =>
 			`${cmd} ${branch_tip.id}`.replaceAll(' --all ', ' ').replaceAll(' {STASH_REFS} ', ' '),
 	})
 
+/** @typedef {{ file: string, start: number, end: number }} LineRange */
+/**
+ * If set, the main log currently only shows the commits that touched these lines (`git log -L`)
+ * @type {Vue.Ref<LineRange|null>}
+ */
+export let line_history = ref(null)
+/** @type {Promise<Record<string, string>>|null} */
+let line_history_diffs = null
+export let show_line_history = (/** @type {LineRange} */ range) =>
+	refresh_main_view({
+		before_execute(cmd) {
+			line_history.value = range
+			line_history_diffs = null
+			// -L can only dig from a single starting commit, so only HEAD's history is shown
+			return `${cmd} -s -L${range.start},${range.end}:"${range.file}"`.replaceAll(' --all ', ' ').replaceAll(' {STASH_REFS} ', ' ')
+		},
+	})
+/** The diff of only the lines of `line_history` introduced by the commit */
+export let get_line_history_diff = async (/** @type {string} */ hash) => {
+	let range = line_history.value
+	if (! range)
+		return ''
+	line_history_diffs ||= git(`-c core.quotepath=false log --no-color -L${range.start},${range.end}:"${range.file}" --format="${log_separator}%h" HEAD`).then((out) =>
+		Object.fromEntries(out.split(log_separator).filter(Boolean).map((entry) => {
+			let newline_i = entry.indexOf('\n')
+			return [entry.slice(0, newline_i), entry.slice(newline_i + 1)]
+		})))
+	return (await line_history_diffs)[hash] || ''
+}
+
 export let vis_v_width = computed(() =>
 	Number(config.value['branch-width']) || 10)
 export let vis_width = stateful_computed('vis-width', 130)
@@ -200,6 +428,8 @@ export let push_history = (/** @type {HistoryEntry} */ entry) => {
 /** Make sure *hash* is temporarily part of the loaded commits */
 export let load_commit_hash = async (/** @type {string} */ hash) => {
 	let { commits: _commits } = await git_log(`${log_args_override_base} -n 500 ${hash}`, { fetch_stash_refs: false, fetch_branches: false })
+	main_log.parser?.dispose()
+	main_log = { parser: null, done: true, loading: false }
 	commits.value = _commits
 	show_information_message(`The commit '${hash}' wasn't loaded, so GitLG jumped back in time temporarily. To see the previous configuration, click reload at the top right.`)
 }
@@ -211,7 +441,7 @@ export let init = () => {
 		if (config.value['disable-preliminary-loading'])
 			return
 		// The "main" main log happens via the `immediate` flag of log_action which is rendered in a git-input in MainView.
-		// But because of the large default_log_action_n, this can take several seconds for large repos.
+		// But depending on log-page-size and the log args, this can take several seconds for large repos.
 		// This below is a bit of a pre-flight request optimized for speed to show the first few commits while the rest keeps loading in the background.
 		git_log(`${log_args_override_base} -n 100 --all`,
 			{ fetch_stash_refs: false, fetch_branches: false }).then((parsed) =>
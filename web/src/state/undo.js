@@ -0,0 +1,92 @@
+import { ref } from 'vue'
+import { git } from '../bridge.js'
+import { undo_action } from './actions.js'
+
+/**
+ * @typedef {{
+ *	refs: Record<string, string>
+ *	head: string
+ *	stashes: { hash: string, subject: string }[]
+ * }} RefsSnapshot
+ */
+
+/** Commands that may delete or move refs or stashes, including the ones of `undo_action` itself */
+let undoable_command_regex = /(^|&& git )(reset|update-ref|branch (-d|-D|--delete)|tag (-d|--delete)|push .*--delete|stash (drop|clear|store))\b/
+
+async function take_snapshot() {
+	let [refs_data, head, stash_data] = await Promise.all([
+		git('for-each-ref --format="%(objectname) %(refname)"'),
+		git('symbolic-ref -q HEAD', { ignore_errors: true }).maybe(),
+		git('stash list --format="%H %gs"', { ignore_errors: true }).maybe(),
+	])
+	/** @type {RefsSnapshot} */
+	let snapshot = { refs: {}, head: head || '', stashes: [] }
+	for (let line of refs_data.split('\n').filter(Boolean)) {
+		let [hash = '', ...ref_name] = line.split(' ')
+		snapshot.refs[ref_name.join(' ')] = hash
+	}
+	for (let line of stash_data?.split('\n').filter(Boolean) || []) {
+		let [hash = '', ...subject] = line.split(' ')
+		snapshot.stashes.push({ hash, subject: subject.join(' ') })
+	}
+	return snapshot
+}
+
+/** @returns the git commands that restore all refs and stashes of *before* that *cmd* changed */
+function get_undo_commands(/** @type {RefsSnapshot} */ before, /** @type {RefsSnapshot} */ after, /** @type {string} */ cmd) {
+	/** @type {string[]} */
+	let commands = []
+	for (let [ref_name, old_hash] of Object.entries(before.refs)) {
+		let new_hash = after.refs[ref_name]
+		if (new_hash === old_hash || ref_name === 'refs/stash')
+			continue
+		if (ref_name.startsWith('refs/remotes/')) {
+			// Remote-tracking refs also change with every fetch, only a deletion on the remote is of interest
+			if (new_hash || ! cmd.includes('push'))
+				continue
+			let [remote, ...branch] = ref_name.slice(13).split('/')
+			commands.push(`push "${remote}" ${old_hash}:refs/heads/${branch.join('/')}`)
+		} else if (ref_name === after.head)
+			// Also restores the index. After a hard reset, the working tree needs to follow too, but
+			// `--keep` refuses to overwrite changes the user may have made in the meantime.
+			commands.push(`reset ${cmd.includes('--hard') ? '--keep ' : ''}${old_hash}`)
+		else
+			commands.push(`update-ref "${ref_name}" ${old_hash}`)
+	}
+	let remaining_stash_hashes = after.stashes.map((stash) => stash.hash)
+	// Oldest first, so that multiple ones keep their order. They end up on top of the stash list though.
+	for (let stash of before.stashes.slice().reverse())
+		if (! remaining_stash_hashes.includes(stash.hash))
+			commands.push(`stash store -m "${stash.subject.replace(/["\\$`]/g, '')}" ${stash.hash}`)
+	return commands
+}
+
+/**
+ * Reverts the ref and stash changes of the last destructive action, e.g. a reset or branch deletion
+ * @type {Vue.Ref<GitAction|null>}
+ */
+export let last_undo_action = ref(null)
+
+/**
+ * Runs *cmd* with *run* and, if it is destructive, records the refs and stashes before and after, so
+ * that `last_undo_action` can restore them. The objects themselves are never deleted right away by
+ * git (only by gc once they aren't referenced by any reflog anymore), so their hashes are enough.
+ * @template T
+ * @param cmd {string}
+ * @param run {(cmd: string) => Promise<T>}
+ */
+export async function run_undoable(cmd, run) {
+	if (last_undo_action.value?.args === cmd)
+		last_undo_action.value = null
+	if (! cmd.match(undoable_command_regex))
+		return run(cmd)
+	let before = await take_snapshot()
+	try {
+		return await run(cmd)
+	} finally {
+		let after = await take_snapshot().maybe()
+		let undo_commands = after ? get_undo_commands(before, after, cmd) : []
+		if (undo_commands.length)
+			last_undo_action.value = undo_action(undo_commands, cmd)
+	}
+}
@@ -0,0 +1,21 @@
+let relative_time_format = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' })
+/** @type {[Intl.RelativeTimeFormatUnit, number][]} */
+let units_in_seconds = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]]
+
+/**
+ * Formats a date as printed by `git log --date=iso-local`, without the time zone part.
+ * Anything else, e.g. when the user changed `--date` of the main log command, is returned as is.
+ * @param datetime {string}
+ * @param format {'iso' | 'relative' | 'locale'}
+ */
+export function format_git_date(datetime, format) {
+	if (format === 'iso' || ! datetime.match(/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/))
+		return datetime
+	// Without a time zone, this is parsed as local time which it is
+	let date = new Date(datetime.replace(' ', 'T'))
+	if (format === 'locale')
+		return date.toLocaleString()
+	let seconds = (date.getTime() - Date.now()) / 1000
+	let [unit, unit_seconds] = units_in_seconds.find(([, s]) => Math.abs(seconds) >= s) || ['second', 1]
+	return relative_time_format.format(Math.round(seconds / unit_seconds), unit)
+}
@@ -0,0 +1,35 @@
+/**
+ * @typedef {{
+ *	header: string
+ *	lines: string[]
+ *	patch: string
+ * }} Hunk
+ * The `header` is the `@@ -a,b +c,d @@` line, `lines` its body and `patch` a self-contained
+ * patch of only this hunk, ready to be fed into `git apply`.
+ */
+
+/**
+ * Splits the output of `git diff` for a *single* file into its hunks
+ * @param diff {string}
+ * @returns {Hunk[]}
+ */
+export function parse_hunks(diff) {
+	let lines = diff.split('\n')
+	let first_hunk_i = lines.findIndex((line) => line.startsWith('@@'))
+	if (first_hunk_i === -1)
+		return []
+	let file_header = lines.slice(0, first_hunk_i).join('\n')
+	/** @type {Hunk[]} */
+	let hunks = []
+	for (let line of lines.slice(first_hunk_i)) {
+		let hunk = hunks.at(-1)
+		if (line.startsWith('@@'))
+			hunks.push({ header: line, lines: [], patch: '' })
+		// Ignore the empty line resulting from the trailing newline
+		else if (hunk && line)
+			hunk.lines.push(line)
+	}
+	for (let hunk of hunks)
+		hunk.patch = [file_header, hunk.header, ...hunk.lines].join('\n') + '\n'
+	return hunks
+}
@@ -0,0 +1,40 @@
+import '../../../src/globals'
+import { create_parser, get_all_branches } from './log-parser.js'
+
+/** @type {Map<number, ReturnType<typeof create_parser>>} */
+let parsers = new Map()
+/**
+ * Branch objects are shared between commits and pages. Structured cloning only keeps this identity
+ * within a single message, so each branch is sent along with a key to restore it on the other side.
+ * @type {WeakMap<Branch, number>}
+ */
+let branch_keys = new WeakMap()
+let next_branch_key = 0
+
+self.onmessage = async ({ data: { id, type, args } }) => {
+	try {
+		if (type === 'create') {
+			let [branch_data, stash_data, separator, curve_radius] = args
+			parsers.set(id, create_parser(branch_data, stash_data, separator, curve_radius))
+			return
+		}
+		if (type === 'dispose') {
+			parsers.delete(id)
+			return
+		}
+		let [log_data, is_last_page] = args
+		let parsed = await not_null(parsers.get(id)).parse_page(log_data, is_last_page)
+		if (is_last_page)
+			parsers.delete(id)
+		/** @type {[Branch, number][]} */
+		let keyed_branches = get_all_branches(parsed).map((branch) => {
+			let key = branch_keys.get(branch)
+			if (key == null)
+				branch_keys.set(branch, key = next_branch_key++)
+			return [branch, key]
+		})
+		self.postMessage({ id, parsed, keyed_branches })
+	} catch (error) {
+		self.postMessage({ id, error: error.message || String(error) })
+	}
+}
@@ -0,0 +1,93 @@
+/**
+ * @typedef {{
+ *	text: string
+ *	log_args: string[]
+ *	paths: string[]
+ *	signature: string
+ * }} SearchQuery
+ * `text` is what remains of the query after all known tokens were removed. It's still searched for
+ * among the loaded commits, while `log_args` and `paths` need to be passed to `git log`.
+ * git can't filter by `signature` (verified, unverified, unknown, signed or unsigned), so this is also
+ * applied to the loaded commits.
+ */
+
+/** @type {Record<string, (value: string) => string>} */
+let log_arg_by_token_key = {
+	'author:': (value) => `--author=${value}`,
+	'committer:': (value) => `--committer=${value}`,
+	'since:': (value) => `--since=${value}`,
+	'after:': (value) => `--since=${value}`,
+	'until:': (value) => `--until=${value}`,
+	'before:': (value) => `--until=${value}`,
+	'body:': (value) => `--grep=${value}`,
+	'message:': (value) => `--grep=${value}`,
+	'-S': (value) => `-S${value}`,
+	'-G': (value) => `-G${value}`,
+}
+let path_token_keys = ['path:', 'file:']
+/** Whose values git interprets as regular expressions. -S is always literal. */
+let regex_token_keys = ['author:', 'committer:', 'body:', 'message:', '-G']
+
+/** Makes *value* a single, literal argument for the shell the git commands are run with */
+function quote(/** @type {string} */ value) {
+	return '"' + value.replace(/["\\$`]/g, '\\$&') + '"'
+}
+
+/** Makes *value* match literally as part of an extended regular expression */
+function escape_regex(/** @type {string} */ value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Splits the text typed into the main search box into git's own log filters and plain text, e.g.
+ * `author:alice path:src/ since:2024-01-01 -S"functionName" body:"fixes #12" signature:unverified some subject`
+ * @param query {string}
+ * @param options {{ regex: boolean }}
+ * @returns {SearchQuery}
+ */
+export function parse_search_query(query, { regex }) {
+	/** @type {string[]} */
+	let log_args = []
+	/** @type {string[]} */
+	let paths = []
+	let signature = ''
+	let text = query.replace(/(?<=^|\s)(-[SG]|[a-z]+:)("[^"]*"|\S+)/g, (token, /** @type {string} */ key, /** @type {string} */ value) => {
+		value = value.replace(/^"(.*)"$/, '$1')
+		let to_log_arg = log_arg_by_token_key[key]
+		if (to_log_arg)
+			log_args.push(quote(to_log_arg(! regex && regex_token_keys.includes(key) ? escape_regex(value) : value)))
+		else if (path_token_keys.includes(key))
+			paths.push(quote(value))
+		else if (key === 'signature:')
+			signature = value.toLowerCase()
+		else
+			return token
+		return ''
+	}).replace(/\s+/g, ' ').trim()
+	if (log_args.length)
+		// To match the behavior of the plain text search. Not --fixed-strings for literal searches (the values
+		// are escaped instead) because the default log command's own --extended-regexp would override it.
+		log_args.push('--regexp-ignore-case', '--extended-regexp')
+	return { text, log_args, paths, signature }
+}
+
+/**
+ * Adds the filters of *search_query* to the `git log` command *log_args*
+ * @param log_args {string}
+ * @param search_query {SearchQuery}
+ */
+export function apply_search_query_to_log_args(log_args, { log_args: filter_args, paths }) {
+	if (filter_args.some((arg) => arg.startsWith('"--grep=')))
+		// The default command hides the index and untracked files parents of stashes with
+		// --invert-grep, which would invert the message search too. So leave out all stashes instead.
+		log_args = log_args
+			.replace(/ --invert-grep\b/, '')
+			.replace(/ --grep="[^"]*"/g, '')
+			.replace(' {STASH_REFS}', '')
+			.replace(' --all ', ' --exclude=refs/stash --all ')
+	if (filter_args.length)
+		log_args = log_args.replace(/^log /, `log ${filter_args.join(' ')} `)
+	if (paths.length)
+		log_args += (log_args.includes(' -- ') ? ' ' : ' -- ') + paths.join(' ')
+	return log_args
+}
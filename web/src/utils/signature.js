@@ -0,0 +1,23 @@
+/** @typedef {'verified' | 'unverified' | 'unknown'} SignatureTrust */
+
+/** @type {Record<string, { trust: SignatureTrust, label: string }>} */
+let signature_by_status = {
+	G: { trust: 'verified', label: 'Good signature' },
+	U: { trust: 'unknown', label: 'Good signature with unknown validity' },
+	E: { trust: 'unknown', label: 'Signature can\'t be checked, e.g. missing key' },
+	X: { trust: 'unverified', label: 'Good signature that has expired' },
+	Y: { trust: 'unverified', label: 'Good signature made by an expired key' },
+	R: { trust: 'unverified', label: 'Good signature made by a revoked key' },
+	B: { trust: 'unverified', label: 'Bad signature' },
+}
+
+/** Interprets the `%G?` status of a signed commit */
+export let describe_signature = (/** @type {string} */ status) =>
+	signature_by_status[status] || { trust: /** @type {SignatureTrust} */ ('unknown'), label: `Unknown signature status "${status}"` } // eslint-disable-line @stylistic/no-extra-parens
+
+/** @type {Record<SignatureTrust, string>} */
+export let signature_icons = {
+	verified: 'codicon-verified-filled',
+	unverified: 'codicon-unverified',
+	unknown: 'codicon-question',
+}
@@ -0,0 +1,94 @@
+import { create_parser } from './log-parser.js'
+import LogParserWorker from './log-parser.worker.js?worker&inline'
+
+/** @type {Worker|null|undefined} */
+let worker = undefined
+function get_worker() {
+	if (worker === undefined)
+		try {
+			worker = new LogParserWorker()
+			worker.onmessage = ({ data: { id, error, parsed, keyed_branches } }) => {
+				let request = pending_requests.get(id)
+				pending_requests.delete(id)
+				if (error)
+					request?.reject(new Error(error))
+				else
+					request?.resolve({ parsed, keyed_branches })
+			}
+			worker.onerror = (event) => {
+				for (let request of pending_requests.values())
+					request.reject(new Error(`Log parser worker failed: ${event.message}`))
+				pending_requests.clear()
+			}
+		} catch (error) {
+			// E.g. when the CSP doesn't permit it, as in dev mode where scripts come from another origin
+			console.warn('GitLG: Failed to start log parser worker, parsing on the main thread instead', error)
+			worker = null
+		}
+	return worker
+}
+/** @type {Map<number, { resolve: (result: any) => void, reject: (error: Error) => void }>} */
+let pending_requests = new Map()
+let next_parser_id = 0
+
+/**
+ * Same as `create_parser`, but the parsing happens inside a Web Worker so that the UI stays
+ * responsive even while many thousands of commits are processed.
+ */
+export function create_worker_parser(/** @type {Parameters<typeof create_parser>} */ ...args) {
+	let parser_worker = get_worker()
+	if (! parser_worker) {
+		let parser = create_parser(...args)
+		return { parse_page: parser.parse_page, dispose() {} }
+	}
+	let id = next_parser_id++
+	parser_worker.postMessage({ id, type: 'create', args })
+	/**
+	 * Branches of later pages arrive as new copies, so they are replaced with the ones already known
+	 * @type {Map<number, Branch>}
+	 */
+	let branch_by_key = new Map()
+
+	return {
+		/**
+		 * @param log_data {string}
+		 * @param is_last_page {boolean}
+		 * @returns {Promise<{ commits: Commit[], branches: Branch[], replaced_branches: [string, Branch][] }>}
+		 */
+		async parse_page(log_data, is_last_page) {
+			/** @type {{ parsed: { commits: Commit[], branches: Branch[], replaced_branches: [string, Branch][] }, keyed_branches: [Branch, number][] }} */
+			let { parsed, keyed_branches } = await new Promise((resolve, reject) => {
+				pending_requests.set(id, { resolve, reject })
+				not_null(parser_worker).postMessage({ id, type: 'parse_page', args: [log_data, is_last_page] })
+			})
+			/** @type {Map<Branch, Branch>} */
+			let known_branch_by_copy = new Map()
+			for (let [branch, key] of keyed_branches) {
+				let known_branch = branch_by_key.get(key)
+				if (known_branch)
+					known_branch_by_copy.set(branch, Object.assign(known_branch, branch))
+				else
+					branch_by_key.set(key, branch)
+			}
+			if (! known_branch_by_copy.size)
+				return parsed
+			let known = (/** @type {Branch} */ branch) =>
+				known_branch_by_copy.get(branch) || branch
+			for (let commit of parsed.commits) {
+				if (commit.branch)
+					commit.branch = known(commit.branch)
+				commit.refs = commit.refs.map((ref) => is_branch(ref) ? known(ref) : ref)
+				for (let vis_line of commit.vis_lines)
+					if (vis_line.branch)
+						vis_line.branch = known(vis_line.branch)
+			}
+			parsed.branches = parsed.branches.map(known)
+			parsed.replaced_branches = parsed.replaced_branches.map(([branch_id, replacement]) => [branch_id, known(replacement)])
+			return parsed
+		},
+		/** Frees the worker's parser state in case not all pages are going to be parsed */
+		dispose() {
+			parser_worker.postMessage({ id, type: 'dispose' })
+		},
+	}
+}